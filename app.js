@@ -4,7 +4,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // ... (기본 설정 및 API URL 등은 동일) ...
     const API_BASE_URL = 'https://news-youtube-api.onrender.com';
     const STORAGE_KEYS = { apiKey: 'studio_red_api_key', model: 'studio_red_model' };
-    window.appData = { news: [], currentCategory: '랭킹' }; // 카테고리 기본값
+    window.appData = { news: [], currentCategory: '랭킹', currentSub: '', categories: [], feeds: [] }; // 카테고리 기본값
 
     // --- DOM 요소 ---
     const getEl = (id) => document.getElementById(id);
@@ -12,7 +12,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const ui = {
         // [뉴스 섹션 변경 요소]
-        categoryButtons: getAll('.cat-btn'), // 버튼 그룹
+        categoryGroup: getEl('categoryGroup'), // 버튼 그룹 (/api/naver-categories 로 생성)
+        subCategoryGroup: getEl('subCategoryGroup'), // 하위 섹션 버튼 그룹
         loadNewsBtn: getEl('loadNewsBtn'),
         newsList: getEl('newsList'),
         selectAllBtn: getEl('selectAllBtn'),
@@ -44,33 +45,117 @@ document.addEventListener('DOMContentLoaded', () => {
         loadSettings();
         updateApiStatus();
         attachEventListeners();
+        loadCategories();
+        loadModels();
+    }
+
+    // --- 카테고리 버튼: 서버 카탈로그로 생성 (실패하면 index.html 기본 버튼 유지) ---
+    async function loadCategories() {
+        if(!ui.categoryGroup) return;
+        try {
+            const sections = await callApi('/api/naver-categories');
+            if(!Array.isArray(sections) || sections.length === 0) return;
+            window.appData.categories = sections;
+
+            // RSS/Atom 피드는 'feed:<id>' 값으로 일반 카테고리처럼 노출
+            const feeds = await callApi('/api/sources').catch(() => []);
+            window.appData.feeds = Array.isArray(feeds) ? feeds : [];
+
+            const buttons = [{ value: '랭킹', label: '랭킹' }, { value: '댓글랭킹', label: '댓글 랭킹' }]
+                .concat(sections.map(s => ({ value: s.label, label: s.label })))
+                .concat(window.appData.feeds.map(f => ({ value: `feed:${f.id}`, label: f.label })));
+            ui.categoryGroup.innerHTML = buttons.map(b => {
+                const active = b.value === window.appData.currentCategory ? ' active' : '';
+                return `<button class="cat-btn${active}" data-value="${escapeHtml(b.value)}">${escapeHtml(b.label)}</button>`;
+            }).join('');
+            renderSubCategories();
+        } catch (e) {
+            console.error('카테고리 목록 로딩 실패:', e);
+        }
+    }
+
+    function renderSubCategories() {
+        if(!ui.subCategoryGroup) return;
+        const section = window.appData.categories.find(s => s.label === window.appData.currentCategory);
+        if(!section || !section.children || section.children.length === 0) {
+            ui.subCategoryGroup.innerHTML = '';
+            ui.subCategoryGroup.classList.add('hidden');
+            return;
+        }
+        const current = window.appData.currentSub;
+        ui.subCategoryGroup.innerHTML = [`<button class="cat-btn cat-btn-sub${current ? '' : ' active'}" data-sub="">전체</button>`]
+            .concat(section.children.map(c => {
+                const active = c.label === current ? ' active' : '';
+                return `<button class="cat-btn cat-btn-sub${active}" data-sub="${escapeHtml(c.label)}">${escapeHtml(c.label)}</button>`;
+            })).join('');
+        ui.subCategoryGroup.classList.remove('hidden');
     }
 
     function loadSettings() {
         const key = localStorage.getItem(STORAGE_KEYS.apiKey);
         if(key && ui.apiKeyInput) ui.apiKeyInput.value = key;
     }
-    
-    function updateApiStatus() {
+
+    // --- 모델 목록: 서버 설정 모델 + 저장된 키로 쓸 수 있는 모델 (/api/ai/models) ---
+    async function loadModels() {
+        if(!ui.modelSelect) return;
+        const saved = localStorage.getItem(STORAGE_KEYS.model);
+        try {
+            const data = await callApi('/api/ai/models');
+            const models = (data.models || []).filter(m => m.available !== false);
+            if(models.length === 0) return;
+
+            const groups = {};
+            models.forEach(m => { (groups[m.providerLabel] = groups[m.providerLabel] || []).push(m); });
+            const selected = saved && models.some(m => m.id === saved) ? saved : (data.defaultModel || models[0].id);
+            // 요청에 실리는 모델(callApi)과 드롭다운 선택을 항상 같게 유지
+            localStorage.setItem(STORAGE_KEYS.model, selected);
+            ui.modelSelect.innerHTML = Object.keys(groups).map(label => {
+                const options = groups[label].map(m => `<option value="${escapeHtml(m.id)}"${m.id === selected ? ' selected' : ''}>${escapeHtml(m.id)}</option>`).join('');
+                return `<optgroup label="${escapeHtml(label)}">${options}</optgroup>`;
+            }).join('');
+        } catch (e) {
+            console.error('모델 목록 로딩 실패:', e);
+        }
+    }
+
+    // 키가 있으면 서버에서 실제로 검증 (형식만 맞는 틀린 키도 걸러냄)
+    async function updateApiStatus() {
         const key = localStorage.getItem(STORAGE_KEYS.apiKey);
         if(!ui.apiStatusBadge) return;
-        if(key) { ui.apiStatusBadge.className = 'status-badge success'; ui.apiStatusBadge.innerHTML = '<i class="ri-check-line"></i> API 연결됨'; }
-        else { ui.apiStatusBadge.className = 'status-badge warning'; ui.apiStatusBadge.innerHTML = '<i class="ri-alert-line"></i> API 키 필요'; }
+        if(!key) { ui.apiStatusBadge.className = 'status-badge warning'; ui.apiStatusBadge.innerHTML = '<i class="ri-alert-line"></i> API 키 필요'; return; }
+
+        ui.apiStatusBadge.className = 'status-badge'; ui.apiStatusBadge.innerHTML = '<i class="ri-loader-4-line"></i> API 확인 중';
+        try {
+            const data = await callApi('/api/ai/check-key', 'POST', {});
+            ui.apiStatusBadge.className = 'status-badge success'; ui.apiStatusBadge.innerHTML = `<i class="ri-check-line"></i> API 연결됨 (${escapeHtml(data.label || data.provider || '')})`;
+        } catch (e) {
+            ui.apiStatusBadge.className = 'status-badge warning'; ui.apiStatusBadge.innerHTML = '<i class="ri-alert-line"></i> API 키 오류';
+        }
     }
 
     // --- 이벤트 리스너 ---
     function attachEventListeners() {
-        // 1. 카테고리 버튼 클릭 이벤트 (신규 추가)
-        ui.categoryButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                // UI 업데이트
-                ui.categoryButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                // 상태 업데이트
-                window.appData.currentCategory = btn.dataset.value;
-                // (선택사항) 버튼 누르면 바로 로딩하려면 아래 주석 해제
-                // handleLoadNews();
-            });
+        // 1. 카테고리 버튼 클릭 이벤트 (버튼이 카탈로그로 다시 그려지므로 위임 방식)
+        if(ui.categoryGroup) ui.categoryGroup.addEventListener('click', (e) => {
+            const btn = e.target.closest('.cat-btn');
+            if(!btn) return;
+            // UI 업데이트
+            ui.categoryGroup.querySelectorAll('.cat-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            // 상태 업데이트
+            window.appData.currentCategory = btn.dataset.value;
+            window.appData.currentSub = '';
+            renderSubCategories();
+            // (선택사항) 버튼 누르면 바로 로딩하려면 아래 주석 해제
+            // handleLoadNews();
+        });
+        if(ui.subCategoryGroup) ui.subCategoryGroup.addEventListener('click', (e) => {
+            const btn = e.target.closest('.cat-btn');
+            if(!btn) return;
+            ui.subCategoryGroup.querySelectorAll('.cat-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            window.appData.currentSub = btn.dataset.sub || '';
         });
 
         // 뉴스 로딩
@@ -96,13 +181,19 @@ async function handleLoadNews() {
 
     try {
         const category = window.appData.currentCategory || '정치';
+        const sub = window.appData.currentSub || '';
         let data;
 
         // ✅ 랭킹 카테고리는 별도 엔드포인트 사용
         if (category === '랭킹') {
             data = await callApi(`/api/naver-ranking`);
+        } else if (category === '댓글랭킹') {
+            data = await callApi(`/api/naver-ranking?mode=comments`);
+        } else if (category.startsWith('feed:')) {
+            data = await callApi(`/api/sources/${encodeURIComponent(category.slice(5))}/news`);
         } else {
-            data = await callApi(`/api/naver-news?category=${encodeURIComponent(category)}`);
+            const subQuery = sub ? `&sub=${encodeURIComponent(sub)}` : '';
+            data = await callApi(`/api/naver-news?category=${encodeURIComponent(category)}${subQuery}`);
         }
 
         if (!data || data.length === 0) {
@@ -116,7 +207,7 @@ async function handleLoadNews() {
         ui.newsList.innerHTML = data.map((item, idx) => {
             const rank = item.rank ?? (idx + 1);
             const title = escapeHtml(item.title || '');
-            const cat = category === '랭킹' ? '랭킹' : escapeHtml(category);
+            const cat = category === '랭킹' || category === '댓글랭킹' ? '랭킹' : escapeHtml(categoryLabel(category, sub));
             const views = item.views ? `조회수 ${item.views}` : '';
             const comments = item.comments ? `댓글 ${item.comments}` : '';
             const time = item.time || '';
@@ -148,6 +239,14 @@ async function handleLoadNews() {
 }
 
 
+    function categoryLabel(category, sub) {
+        if (category.startsWith('feed:')) {
+            const feed = (window.appData.feeds || []).find(f => `feed:${f.id}` === category);
+            return feed ? feed.label : '피드';
+        }
+        return sub ? `${category} > ${sub}` : category;
+    }
+
     // --- 공통 함수 (기존 유지) ---
     function handleNavClick(e) {
         const btn = e.currentTarget;
@@ -163,18 +262,25 @@ async function handleLoadNews() {
         const key = ui.apiKeyInput.value.trim();
         if(!key) { showToast('API 키 입력 필요'); return; }
         localStorage.setItem(STORAGE_KEYS.apiKey, key);
+        if(ui.modelSelect && ui.modelSelect.value) localStorage.setItem(STORAGE_KEYS.model, ui.modelSelect.value);
         updateApiStatus();
+        loadModels();
         ui.settingsModal.classList.add('hidden');
         showToast('저장 완료');
     }
 
     async function callApi(endpoint, method = 'GET', body = null) {
         const key = localStorage.getItem(STORAGE_KEYS.apiKey);
-        if(endpoint.includes('/ai/') && !key) { ui.settingsModal.classList.remove('hidden'); throw new Error('API 키 필요'); }
+        if(endpoint.includes('/ai/') && method !== 'GET' && !key) { ui.settingsModal.classList.remove('hidden'); throw new Error('API 키 필요'); }
         const headers = { 'Content-Type': 'application/json' };
         if(key) headers['Authorization'] = `Bearer ${key}`;
         const options = { method, headers };
-        if(body) { body.model = localStorage.getItem(STORAGE_KEYS.model) || 'gemini-2.5-flash'; options.body = JSON.stringify(body); }
+        if(body) {
+            // 모델 목록을 아직 못 받았으면 비워 두고 서버 기본 모델 사용
+            const model = localStorage.getItem(STORAGE_KEYS.model);
+            if(model) body.model = model;
+            options.body = JSON.stringify(body);
+        }
         try {
             const res = await fetch(`${API_BASE_URL}${endpoint}`, options);
             const data = await res.json();
@@ -211,7 +317,8 @@ async function handleLoadNews() {
     window.toggleCheckbox = (idx) => { const chk = document.getElementById(`check-${idx}`); if(chk) chk.checked = !chk.checked; };
     function showToast(msg) { ui.toast.textContent = msg; ui.toast.classList.remove('hidden'); setTimeout(() => ui.toast.classList.add('hidden'), 3000); }
     function setLoading(el, isLoading, type) { if(!el) return; if(type==='spinner') el.innerHTML = isLoading ? '<div class="spinner"></div>' : ''; else isLoading ? el.classList.remove('hidden') : el.classList.add('hidden'); }
-    function escapeHtml(t) { return t ? t.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;") : ''; }
+    // 속성값(value="…", data-*="…")에도 쓰므로 따옴표까지 이스케이프
+    function escapeHtml(t) { return t ? String(t).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;") : ''; }
 
     init();
 });
\ No newline at end of file
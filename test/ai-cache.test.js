@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+process.env.AI_CACHE_BACKEND = 'memory';
+delete process.env.OPENAI_API_KEY;
+const { callAI, callAIStructured } = require('./helpers');
+
+const context = () => ({ endpoint: 'test', fallbackModels: [], calls: [], fallbacks: [], noCache: false });
+
+function mockOpenAI(t, replies) {
+  const calls = [];
+  t.mock.method(axios, 'post', async (url, body, config) => {
+    calls.push(config.headers.Authorization);
+    const content = replies.length > 1 ? replies.shift() : replies[0];
+    return { data: { choices: [{ message: { content } }] } };
+  });
+  return calls;
+}
+
+test('캐시는 API 키별로 분리: 다른 키/잘못된 키로는 남의 응답을 받지 않음', async (t) => {
+  const calls = mockOpenAI(t, ['첫 응답', '두 번째 응답']);
+
+  const first = context();
+  assert.equal(await callAI('sys', 'key-scope', 'gpt-4o', 'sk-owner', { context: first }), '첫 응답');
+
+  const again = context();
+  assert.equal(await callAI('sys', 'key-scope', 'gpt-4o', 'sk-owner', { context: again }), '첫 응답');
+  assert.equal(again.calls[0].cached, true);
+
+  const other = context();
+  assert.equal(await callAI('sys', 'key-scope', 'gpt-4o', 'sk-other', { context: other }), '두 번째 응답');
+  assert.deepEqual(calls, ['Bearer sk-owner', 'Bearer sk-other']);
+});
+
+test('쓸 수 있는 키가 없으면 캐시를 보지 않고 인증 오류', async (t) => {
+  mockOpenAI(t, ['응답']);
+  await callAI('sys', 'no-key', 'gpt-4o', 'sk-owner', { context: context() });
+  await assert.rejects(callAI('sys', 'no-key', 'gpt-4o', null, { context: context() }), { code: 'AI_AUTH' });
+});
+
+test('구조화 출력: 검증에 실패한 응답은 캐시에 남지 않음', async (t) => {
+  const schema = { type: 'object', required: ['titles'], properties: { titles: { type: 'array' } } };
+  const calls = mockOpenAI(t, ['형식 아님', '{"titles":["a"]}']);
+
+  const parsed = await callAIStructured('sys', 'structured', 'gpt-4o', 'sk-owner', { schema, attempts: 2, context: context() });
+  assert.deepEqual(parsed, { titles: ['a'] });
+
+  // 형식 오류 응답은 캐시에 없으므로 같은 요청은 다시 호출됨 (이번엔 바로 통과)
+  const second = context();
+  const again = await callAIStructured('sys', 'structured', 'gpt-4o', 'sk-owner', { schema, attempts: 2, context: second });
+  assert.deepEqual(again, { titles: ['a'] });
+  assert.equal(calls.length, 3);
+  assert.equal(second.calls[0].cached, undefined);
+});
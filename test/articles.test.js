@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+process.env.CRAWLER_MIN_INTERVAL_MS = '0';
+process.env.CRAWLER_RETRY_BASE_MS = '0';
+process.env.CRAWLER_MAX_RETRIES = '5';
+const { app } = require('./helpers');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('POST /api/naver-articles: 기사별 시간 초과 때 진행 중인 요청과 재시도까지 취소', async (t) => {
+  // 매번 400ms 뒤 연결 끊김(재시도 대상), 취소되면 바로 실패
+  const calls = [];
+  t.mock.method(axios, 'get', (url, config) => {
+    calls.push(config);
+    return new Promise((_, reject) => {
+      const timer = setTimeout(() => reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 400);
+      config.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+      });
+    });
+  });
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/naver-articles`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ urls: ['https://n.news.naver.com/article/001/0000000001'], timeout: 1000 }),
+  });
+  const body = await res.json();
+  assert.deepEqual([body.succeeded, body.failed], [0, 1]);
+  assert.match(body.results[0].error, /시간 초과\(1000ms\)/);
+
+  // 응답 뒤에는 더 이상 재시도하지 않음
+  const callsAtResponse = calls.length;
+  await sleep(1500);
+  assert.equal(calls.length, callsAtResponse);
+  assert.ok(callsAtResponse < 6);
+  assert.equal(calls[calls.length - 1].signal.aborted, true);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// 조각 예산 500토큰 (2000 - 프롬프트 몫 1500)
+process.env.AI_CHUNK_TOKENS = '2000';
+const { condenseLongInput } = require('./helpers');
+
+const context = () => ({ endpoint: 'test', fallbackModels: [], calls: [], fallbacks: [], noCache: true });
+const paragraphs = (count, size) => Array.from({ length: count }, (_, i) => `${i}번 문단 ` + '가'.repeat(size)).join('\n\n');
+
+function mockOpenAI(t, reply) {
+  let calls = 0;
+  t.mock.method(axios, 'post', async () => {
+    calls++;
+    return { data: { choices: [{ message: { content: reply } }] } };
+  });
+  return () => calls;
+}
+
+test('condenseLongInput: 압축본이 예산 안으로 들어오면 그 압축본을 사용', async (t) => {
+  mockOpenAI(t, '핵심 정리');
+  const ai = context();
+  const condensed = await condenseLongInput(paragraphs(6, 300), { model: 'gpt-4o', apiKey: 'sk-test', context: ai, purpose: '요약' });
+  assert.match(condensed, /\[부분 1\/\d+\]\n핵심 정리/);
+  assert.equal(ai.chunking.levels, 1);
+});
+
+test('condenseLongInput: 단계 한도까지 압축해도 길면 예산을 넘긴 채 보내지 않고 413', async (t) => {
+  // 압축할 때마다 조각보다 긴 정리본이 돌아오는 경우
+  const calls = mockOpenAI(t, '나'.repeat(400));
+  const ai = context();
+  await assert.rejects(
+    condenseLongInput(paragraphs(4, 400), { model: 'gpt-4o', apiKey: 'sk-test', context: ai, purpose: '요약' }),
+    { statusCode: 413, code: 'AI_INPUT_TOO_LONG' }
+  );
+  assert.equal(ai.chunking.levels, 3);
+  assert.ok(calls() > 4);
+});
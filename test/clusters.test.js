@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app, clusterStories } = require('./helpers');
+
+const items = [
+  { rank: 1, title: '[속보] 정부, 국민연금 개혁안 발표', press: '연합뉴스', commentCount: 100 },
+  { rank: 5, title: '정부 국민연금 개혁안 발표…보험료 13%', press: '조선일보', commentCount: 50 },
+  { rank: 3, title: '국민연금 개혁안 발표(종합)', press: '한겨레', commentCount: 10 },
+  { rank: 2, title: '프로야구 개막전 매진', press: '스포츠서울', commentCount: 500 },
+];
+
+test('clusterStories: 같은 사건 기사를 한 묶음으로, 다른 기사는 따로', () => {
+  const clusters = clusterStories(items);
+  assert.equal(clusters.length, 2);
+
+  const [pension, baseball] = clusters;
+  assert.equal(pension.size, 3);
+  assert.equal(pension.pressCount, 3);
+  assert.equal(pension.commentCount, 160);
+  assert.equal(pension.bestRank, 1);
+  assert.deepEqual(pension.members.map((m) => m.rank), [1, 5, 3]);
+  assert.equal(baseball.size, 1);
+  assert.deepEqual(clusters.map((c) => c.id), [1, 2]);
+});
+
+test('clusterStories: 기준을 높이면 덜 묶임, 빈 목록은 빈 결과', () => {
+  assert.equal(clusterStories(items, { threshold: 0.99 }).length, 4);
+  assert.deepEqual(clusterStories([]), []);
+});
+
+test('clusterStories: 순위 없는 기사는 bestRank null', () => {
+  const [only] = clusterStories([{ title: '단독 기사', press: 'A' }]);
+  assert.equal(only.bestRank, null);
+  assert.equal(only.title, '단독 기사');
+});
+
+test('POST /api/news-clusters: items 가 300개를 넘으면 400', async (t) => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const post = (items) =>
+    fetch(`http://127.0.0.1:${server.address().port}/api/news-clusters`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items }),
+    });
+
+  const tooMany = await post(Array.from({ length: 301 }, (_, i) => ({ title: `기사 ${i}` })));
+  assert.equal(tooMany.status, 400);
+
+  const ok = await post(Array.from({ length: 300 }, (_, i) => ({ title: `서로 다른 제목 ${i} ${'가나다라마'[i % 5]}` })));
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).total, 300);
+});
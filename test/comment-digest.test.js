@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, commentDigestSchema, pickCommentQuotes } = require('./helpers');
+
+const comments = [
+  { text: '세금 얘기는 왜 없나요', likes: 120, dislikes: 3 },
+  { text: '현장 취재 좋네요', likes: 40, dislikes: 1 },
+  { text: '연금은 언제부터 바뀌나요?', likes: 88, dislikes: 0 },
+];
+
+const digest = (quoteIds) => ({
+  mainOpinions: [{ opinion: '세금 부담 우려', share: 60 }],
+  sentiment: { positive: 20, negative: 60, neutral: 20 },
+  quoteIds,
+  questions: ['연금 개편 시점'],
+});
+
+test('comment-digest: 대표 댓글은 번호로 원본 댓글 본문을 그대로 꺼냄', () => {
+  assert.deepEqual(pickCommentQuotes(comments, [3, 1, 3]), ['연금은 언제부터 바뀌나요?', '세금 얘기는 왜 없나요']);
+});
+
+test('comment-digest: 목록에 없는 댓글 번호는 스키마 검증에서 걸러짐', () => {
+  const schema = commentDigestSchema(comments.length);
+  assert.deepEqual(validateSchema(digest([1, 3]), schema), []);
+  assert.ok(validateSchema(digest([4]), schema).length > 0);
+  assert.ok(validateSchema(digest(['세금 얘기는 왜 없나요']), schema).length > 0);
+});
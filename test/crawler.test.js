@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { detectBlockPage, crawlerGet, parseNaverPaging, extractNaverArticleMeta, buildCrawlerHealthReport } = require('./helpers');
+
+const response = (contentType, data, status = 200) => ({ status, headers: { 'content-type': contentType }, data });
+
+const feed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"><channel><title>보안 뉴스</title>
+<item><title>구글, 새 reCAPTCHA 발표… "captcha 없는 인증"</title><description>Access denied 오류와 too many requests 대응법</description></item>
+</channel></rss>`;
+
+test('detectBlockPage: 본문에 captcha 가 나오는 RSS 피드는 차단으로 보지 않음', () => {
+  assert.equal(detectBlockPage(response('application/rss+xml; charset=utf-8', feed)), null);
+  assert.equal(detectBlockPage(response('text/xml', Buffer.from(feed))), null);
+});
+
+test('detectBlockPage: 기사 본문에 차단 관련 단어가 있어도 정상 HTML 은 통과', () => {
+  const html = '<html><head><title>캡차 우회 범죄 기승</title></head><body><p>접근이 차단된 사이트, captcha, access denied 문구…</p></body></html>';
+  assert.equal(detectBlockPage(response('text/html; charset=utf-8', html)), null);
+});
+
+test('detectBlockPage: 차단 페이지 제목 / 캡차 요소는 차단', () => {
+  assert.equal(detectBlockPage(response('text/html', '<title>Access Denied</title><body>x</body>')), '캡차/차단 페이지');
+  assert.equal(detectBlockPage(response('text/html', '<title>Just a moment...</title>')), '캡차/차단 페이지');
+  assert.equal(detectBlockPage(response('text/html', '<title>네이버</title><div class="g-recaptcha"></div>')), '캡차/차단 페이지');
+  assert.equal(detectBlockPage(response('text/html', '<form id="challenge-form"></form>')), '캡차/차단 페이지');
+});
+
+test('detectBlockPage: 빈 응답은 차단, 200 이 아니면 검사하지 않음', () => {
+  assert.equal(detectBlockPage(response('application/rss+xml', '  ')), '빈 응답');
+  assert.equal(detectBlockPage(response('text/html', '<title>captcha</title>', 404)), null);
+});
+
+test('crawlerGet: captcha 가 나오는 피드를 CrawlerBlockedError 로 바꾸지 않음', async (t) => {
+  t.mock.method(axios, 'get', async () => response('application/rss+xml', feed));
+  const res = await crawlerGet('https://feeds.example.com/rss.xml');
+  assert.equal(res.data, feed);
+});
+
+test('parseNaverPaging: 현재/다음 페이지 셀렉터를 설정 파일에서 읽고 헬스에 기록', () => {
+  const $ = cheerio.load('<div id="main_content"><div class="paging"><strong>2</strong><a>1</a><a>3</a></div></div>');
+  assert.deepEqual(parseNaverPaging($, 1), { currentPage: 2, hasNext: true });
+
+  const $last = cheerio.load('<div class="paging"><a>1</a><strong>2</strong></div>');
+  assert.deepEqual(parseNaverPaging($last, 1), { currentPage: 2, hasNext: false });
+
+  const { chains } = buildCrawlerHealthReport().scrapers.naverNews;
+  assert.equal(chains.pagingCurrent.selectors[0].selector, 'strong');
+  assert.equal(chains.pagingNext.misses, 2);
+});
+
+test('extractNaverArticleMeta: 기자 이메일 / 대표 이미지도 셀렉터 헬스에 나옴', () => {
+  const $ = cheerio.load(`<head><meta property="og:image" content="/img/a.jpg"></head>
+<body><em class="media_end_head_journalist_name">홍길동 기자</em><span class="byline_s">홍길동 기자 (hong@example.com)</span></body>`);
+  const meta = extractNaverArticleMeta($, 'https://n.news.naver.com/article/001/0000000001');
+  assert.equal(meta.reporter.name, '홍길동');
+  assert.equal(meta.reporter.email, 'hong@example.com');
+  assert.equal(meta.ogImage, 'https://n.news.naver.com/img/a.jpg');
+
+  const { chains } = buildCrawlerHealthReport().scrapers.naverArticle;
+  assert.equal(chains.reporterEmail.selectors[0].selector, '.byline_s');
+  assert.equal(chains.ogImage.selectors[0].selector, 'meta[property="og:image"] @content');
+});
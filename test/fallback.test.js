@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+process.env.OPENAI_COMPAT_BASE_URL = 'http://127.0.0.1:11434/v1';
+process.env.OPENAI_COMPAT_MODELS = 'llama3.1:8b';
+process.env.AI_FALLBACK_MODELS = 'gpt-4.1-mini';
+process.env.OPENAI_API_KEY = 'sk-server';
+const { callAI, createAIContext } = require('./helpers');
+
+function mockProviders(t) {
+  const urls = [];
+  t.mock.method(axios, 'post', async (url) => {
+    urls.push(url);
+    if (url.startsWith('http://127.0.0.1:11434/')) {
+      throw Object.assign(new Error('timeout of 180000ms exceeded'), { code: 'ECONNABORTED' });
+    }
+    return { data: { choices: [{ message: { content: '클라우드 응답' } }] } };
+  });
+  return urls;
+}
+
+test('폴백: 로컬 모델이 시간 초과돼도 서버 기본 체인의 클라우드 모델로 넘기지 않음', async (t) => {
+  const urls = mockProviders(t);
+  const ai = createAIContext({ path: '/api/ai/summary', body: {} });
+  assert.deepEqual(ai.fallbackModels, ['gpt-4.1-mini']);
+
+  await assert.rejects(callAI('sys', '민감한 내용', 'llama3.1:8b', null, { context: ai }), { code: 'AI_TIMEOUT' });
+  assert.deepEqual(urls, ['http://127.0.0.1:11434/v1/chat/completions']);
+});
+
+test('폴백: 요청의 fallbackModels 에 직접 적은 클라우드 모델로는 넘어감', async (t) => {
+  const urls = mockProviders(t);
+  const ai = createAIContext({ path: '/api/ai/summary', body: { fallbackModels: ['gpt-4.1-mini'] } });
+
+  assert.equal(await callAI('sys', '공개 내용', 'llama3.1:8b', null, { context: ai }), '클라우드 응답');
+  assert.equal(urls.length, 2);
+  assert.equal(ai.calls[0].model, 'gpt-4.1-mini');
+});
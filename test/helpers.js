@@ -0,0 +1,8 @@
+// 서버 모듈을 임시 DATA_DIR 로 불러옴 (require 만 하면 listen / 스케줄러는 뜨지 않음)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = process.env.DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'studio-test-'));
+
+module.exports = require('../server');
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const iconv = require('iconv-lite');
+
+process.env.CRAWLER_MIN_INTERVAL_MS = '0';
+const { app } = require('./helpers');
+
+// 언론사 박스 2개 × 2건, 댓글 수는 [박스][순위]
+function rankingHtml(comments) {
+  const box = (press, oid, counts) => `<div class="rankingnews_box"><strong class="rankingnews_name">${press}</strong>
+<ul class="rankingnews_list">${counts
+    .map((c, i) => `<li><a class="list_title" href="https://n.news.naver.com/article/${oid}/000000000${i + 1}">${press} ${i + 1}</a><span class="list_comment">${c}</span></li>`)
+    .join('')}</ul></div>`;
+  return `<html><body>${box('연합뉴스', '001', comments[0])}${box('한겨레', '028', comments[1])}</body></html>`;
+}
+
+test('랭킹 스냅샷: 순위 변동은 언론사 박스 순서가 아니라 전체 기준(overallRank)으로', async (t) => {
+  const pages = [rankingHtml([[10, 5], [300, 20]]), rankingHtml([[400, 5], [300, 20]])];
+  t.mock.method(axios, 'get', async () => ({
+    status: 200,
+    headers: { 'content-type': 'text/html; charset=euc-kr' },
+    data: iconv.encode(pages.shift(), 'euc-kr'),
+  }));
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/ranking-history`;
+
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await fetch(`${base}/snapshots?mode=views`, { method: 'POST' })).status, 201);
+  }
+
+  const latest = await (await fetch(`${base}/latest?mode=views`)).json();
+  const byTitle = Object.fromEntries(latest.items.map((item) => [item.title, item]));
+
+  // 페이지 순서(rank)는 그대로지만 댓글이 늘어난 연합뉴스 1위 기사는 전체 3위 → 1위
+  assert.equal(byTitle['연합뉴스 1'].rank, 1);
+  assert.deepEqual([byTitle['연합뉴스 1'].previousRank, byTitle['연합뉴스 1'].overallRank], [3, 1]);
+  assert.equal(byTitle['연합뉴스 1'].rankChange, 2);
+  assert.equal(byTitle['연합뉴스 1'].pressRankChange, 0);
+  assert.equal(byTitle['한겨레 1'].rankChange, -1);
+
+  const history = await (await fetch(`${base}/article?mode=views&link=${encodeURIComponent('https://n.news.naver.com/article/001/0000000001')}`)).json();
+  assert.deepEqual(history.timeline.map((p) => p.overallRank), [3, 1]);
+  assert.equal(history.bestRank, 1);
+  assert.equal(history.bestPressRank, 1);
+});
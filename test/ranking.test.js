@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const iconv = require('iconv-lite');
+
+process.env.CRAWLER_MIN_INTERVAL_MS = '0';
+const { app, filterNaverRanking } = require('./helpers');
+
+const news = [
+  { rank: 1, title: 'a', press: '조선일보', sectionCode: '100' },
+  { rank: 2, title: 'b', press: '한겨레', sectionCode: '101' },
+  { rank: 3, title: 'c', press: '연합뉴스TV', sectionCode: null },
+];
+
+test('filterNaverRanking: 필터가 없으면 그대로', () => {
+  assert.deepEqual(filterNaverRanking(news), news);
+});
+
+test('filterNaverRanking: press 는 쉼표 구분, 부분 일치', () => {
+  assert.deepEqual(filterNaverRanking(news, { press: '조선, 연합' }).map((n) => n.rank), [1, 3]);
+  assert.deepEqual(filterNaverRanking(news, { press: ' , ' }).map((n) => n.rank), [1, 2, 3]);
+  assert.deepEqual(filterNaverRanking(news, { press: '중앙' }), []);
+});
+
+test('filterNaverRanking: section 은 sid1 코드로, 섹션을 모르는 기사는 제외', () => {
+  assert.deepEqual(filterNaverRanking(news, { section: '101' }).map((n) => n.rank), [2]);
+});
+
+const rankingHtml = `<html><body>
+<div class="rankingnews_box"><strong class="rankingnews_name">연합뉴스</strong><ul class="rankingnews_list">
+  <li><a href="https://n.news.naver.com/article/001/0000000001" class="list_title">금리 동결</a></li>
+  <li><a href="https://n.news.naver.com/article/001/0000000002" class="list_title">국회 본회의</a></li>
+</ul></div>
+<div class="rankingnews_box"><strong class="rankingnews_name">한겨레</strong><ul class="rankingnews_list">
+  <li><a href="https://n.news.naver.com/article/028/0000000003" class="list_title">환율 급등</a></li>
+  <li><a href="https://n.news.naver.com/article/028/0000000004" class="list_title">읽을 수 없는 기사</a></li>
+</ul></div>
+</body></html>`;
+
+const articleSections = {
+  '001/0000000001': '경제',
+  '001/0000000002': '정치',
+  '028/0000000003': '경제',
+};
+
+function mockNaver(t) {
+  const fetched = [];
+  t.mock.method(axios, 'get', async (url) => {
+    fetched.push(url);
+    if (url.includes('/main/ranking/')) {
+      return { status: 200, headers: { 'content-type': 'text/html; charset=euc-kr' }, data: iconv.encode(rankingHtml, 'euc-kr') };
+    }
+    const key = url.match(/article\/(\d+\/\d+)/)[1];
+    if (!articleSections[key]) throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+    const html = `<html><head><meta property="og:title" content="기사 ${key}"></head><body>
+<em class="media_end_categorize_item">${articleSections[key]}</em><div id="dic_area">${'기사 본문 문장입니다. '.repeat(20)}</div></body></html>`;
+    return { status: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, data: Buffer.from(html) };
+  });
+  return fetched;
+}
+
+async function getRanking(t, query) {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  return fetch(`http://127.0.0.1:${server.address().port}/api/naver-ranking?${query}`);
+}
+
+test('GET /api/naver-ranking: section 필터는 기사 페이지의 섹션 메타로 판별', async (t) => {
+  mockNaver(t);
+  const res = await getRanking(t, 'section=경제&fresh=1');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('x-section-unresolved'), '1');
+
+  const body = await res.json();
+  assert.deepEqual(body.map((n) => n.title), ['금리 동결', '환율 급등']);
+  assert.deepEqual(body.map((n) => [n.section, n.sectionCode]), [['경제', '101'], ['경제', '101']]);
+});
+
+test('GET /api/naver-ranking: press 로 먼저 거른 기사만 섹션을 확인, 코드로도 지정 가능', async (t) => {
+  const fetched = mockNaver(t);
+  const res = await getRanking(t, 'section=100&press=연합&groupBy=press&fresh=1');
+  const groups = await res.json();
+  assert.deepEqual(groups.map((g) => [g.press, g.items.map((n) => n.title)]), [['연합뉴스', ['국회 본회의']]]);
+  assert.ok(fetched.every((url) => !url.includes('/028/')));
+});
+
+test('GET /api/naver-ranking: 모르는 섹션 / 하위 섹션은 400', async (t) => {
+  for (const section of ['없는섹션', '부동산']) {
+    const res = await getRanking(t, `section=${encodeURIComponent(section)}`);
+    assert.equal(res.status, 400, section);
+    assert.match((await res.json()).error, /대분류/);
+  }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, parseJsonResponse } = require('./helpers');
+
+const schema = {
+  type: 'object',
+  required: ['titles', 'score'],
+  properties: {
+    titles: { type: 'array', minItems: 2, maxItems: 3, items: { type: 'string', minLength: 1 } },
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    verdict: { type: 'string', enum: ['supported', 'unsupported'] },
+  },
+};
+
+test('validateSchema: 올바른 값은 오류 없음', () => {
+  assert.deepEqual(validateSchema({ titles: ['a', 'b'], score: 10, verdict: 'supported' }, schema), []);
+});
+
+test('validateSchema: 필수 항목 / 타입 / 개수 / 범위 / enum 오류를 경로와 함께 반환', () => {
+  assert.deepEqual(validateSchema({ score: 10 }, schema), ['$.titles: 필수 항목이 없습니다.']);
+  assert.deepEqual(validateSchema([], schema), ['$: 객체여야 합니다.']);
+
+  const errors = validateSchema({ titles: ['a', ' ', 'c', 'd'], score: 10.5, verdict: 'maybe' }, schema);
+  assert.deepEqual(errors, [
+    '$.titles: 항목이 3개 이하여야 합니다. (현재 4개)',
+    '$.titles[1]: 빈 문자열은 안 됩니다.',
+    '$.score: 정수여야 합니다.',
+    '$.verdict: supported / unsupported 중 하나여야 합니다. (현재 "maybe")',
+  ]);
+  assert.deepEqual(validateSchema({ titles: ['a', 'b'], score: 101 }, schema), ['$.score: 100 이하여야 합니다.']);
+});
+
+test('validateSchema: null 인 선택 항목은 검사하지 않음', () => {
+  assert.deepEqual(validateSchema({ titles: ['a', 'b'], score: 0, verdict: null }, schema), []);
+});
+
+test('parseJsonResponse: 코드펜스 / 앞뒤 설명을 걷어내고, 실패하면 null', () => {
+  assert.deepEqual(parseJsonResponse('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonResponse('결과입니다: {"a":[1,2]} 이상입니다.'), { a: [1, 2] });
+  assert.equal(parseJsonResponse('JSON 아님'), null);
+});
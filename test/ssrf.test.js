@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// 프록시가 설정된 환경에서도 사용자 URL 은 직접 연결해야 함
+process.env.CRAWLER_PROXY = 'http://proxy.example.com:8080';
+const { isBlockedAddress, assertPublicUrl, fetchPublicHtml, safeLookup, sendWebhook } = require('./helpers');
+
+test('isBlockedAddress: 사설/루프백/링크로컬/멀티캐스트 IPv4 차단', () => {
+  for (const ip of ['0.0.0.0', '10.1.2.3', '127.0.0.1', '100.64.0.1', '169.254.169.254', '172.16.0.1', '192.168.0.1', '198.18.0.1', '224.0.0.1']) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '125.209.222.141']) {
+    assert.equal(isBlockedAddress(ip), false, ip);
+  }
+});
+
+test('isBlockedAddress: IPv6 루프백/사설/링크로컬 차단', () => {
+  for (const ip of ['::', '::1', 'fc00::1', 'fd12::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1']) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  assert.equal(isBlockedAddress('2001:4860:4860::8888'), false);
+});
+
+test('isBlockedAddress: IPv4 를 담은 IPv6 표기는 IPv4 규칙으로 검사', () => {
+  for (const ip of [
+    '::ffff:7f00:1', // new URL() 이 [::ffff:127.0.0.1] 을 바꾼 형태
+    '::ffff:a00:1',
+    '::ffff:a9fe:a9fe',
+    '0:0:0:0:0:ffff:7f00:1',
+    '::7f00:1', // ::/96 (IPv4 호환)
+    '::127.0.0.1',
+    '64:ff9b::7f00:1', // NAT64
+    '64:ff9b::808:808',
+    '2002:7f00:1::', // 6to4
+    'fe80::1%eth0',
+  ]) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  assert.equal(isBlockedAddress('::ffff:808:808'), false);
+  assert.equal(isBlockedAddress('::ffff:8.8.8.8'), false);
+  assert.equal(isBlockedAddress('2002:808:808::'), false);
+});
+
+test('isBlockedAddress: IP 가 아닌 값은 차단', () => {
+  assert.equal(isBlockedAddress('not-an-ip'), true);
+});
+
+test('assertPublicUrl: 프로토콜/인증정보/localhost/사설 IP 리터럴 거부', () => {
+  assert.throws(() => assertPublicUrl('ftp://example.com/'), { statusCode: 403 });
+  assert.throws(() => assertPublicUrl('http://user:pw@example.com/'), { statusCode: 403 });
+  assert.throws(() => assertPublicUrl('http://localhost:3000/'), { statusCode: 403 });
+  assert.throws(() => assertPublicUrl('http://127.0.0.1/'), { statusCode: 403 });
+  assert.throws(() => assertPublicUrl('http://[::1]/'), { statusCode: 403 });
+  assert.throws(() => assertPublicUrl('주소 아님'), { statusCode: 400 });
+  assert.equal(assertPublicUrl('https://example.com/a?b=1').hostname, 'example.com');
+});
+
+test('assertPublicUrl: IPv6 리터럴로 감싼 내부 주소 거부', () => {
+  for (const url of [
+    'http://[::ffff:127.0.0.1]:4555/',
+    'http://[::ffff:7f00:1]:4555/',
+    'http://[::127.0.0.1]/',
+    'http://[64:ff9b::7f00:1]/',
+    'http://[::ffff:169.254.169.254]/latest/meta-data/',
+    'http://[2002:7f00:1::]/',
+  ]) {
+    assert.throws(() => assertPublicUrl(url), { statusCode: 403 }, url);
+  }
+});
+
+test('fetchPublicHtml: CRAWLER_PROXY 가 있어도 프록시 없이 safeLookup 으로 직접 연결', async (t) => {
+  const calls = [];
+  t.mock.method(axios, 'get', async (url, config) => {
+    calls.push({ url, config });
+    return { status: 200, headers: { 'content-type': 'text/html' }, data: Buffer.from('<html><body>ok</body></html>') };
+  });
+
+  const { finalUrl } = await fetchPublicHtml('http://93.184.216.34/article');
+  assert.equal(finalUrl, 'http://93.184.216.34/article');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].config.proxy, false);
+  assert.equal(calls[0].config.lookup, safeLookup);
+});
+
+test('sendWebhook: HTTP(S)_PROXY 가 있어도 프록시 없이 safeLookup 으로 직접 연결', async (t) => {
+  const saved = { HTTP_PROXY: process.env.HTTP_PROXY, HTTPS_PROXY: process.env.HTTPS_PROXY };
+  process.env.HTTP_PROXY = process.env.HTTPS_PROXY = 'http://proxy.example.com:3128';
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  const calls = [];
+  t.mock.method(axios, 'post', async (url, body, config) => {
+    calls.push({ url, config });
+    return { status: 200, data: 'ok' };
+  });
+
+  await sendWebhook('https://hooks.example.com/alert', { type: 'test' });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].config.proxy, false);
+  assert.equal(calls[0].config.lookup, safeLookup);
+  assert.equal(calls[0].config.maxRedirects, 0);
+});
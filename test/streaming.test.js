@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { Readable } = require('node:stream');
+
+delete process.env.AI_FALLBACK_MODELS;
+const { streamAI } = require('./helpers');
+
+const context = () => ({ endpoint: 'test', fallbackModels: [], calls: [], fallbacks: [], noCache: true });
+
+test('streamAI: Gemini 스트리밍도 JSON 모드 등 생성 설정을 요청에 실음', async (t) => {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    const event = { candidates: [{ content: { role: 'model', parts: [{ text: '{"a":1}' }] }, index: 0 }] };
+    return new Response(`data: ${JSON.stringify(event)}\r\n\r\n`, {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' },
+    });
+  });
+
+  const tokens = [];
+  const text = await streamAI('sys', 'user', 'gemini-2.5-flash', 'AIza-test', (tok) => tokens.push(tok), {
+    json: true,
+    context: context(),
+  });
+
+  assert.equal(text, '{"a":1}');
+  assert.deepEqual(tokens, ['{"a":1}']);
+  assert.match(requests[0].url, /streamGenerateContent\?alt=sse/);
+  assert.equal(requests[0].body.generationConfig.responseMimeType, 'application/json');
+});
+
+test('streamAI: OpenAI 스트리밍도 JSON 모드면 response_format 을 보냄', async (t) => {
+  const bodies = [];
+  t.mock.method(axios, 'post', async (url, body) => {
+    bodies.push(body);
+    const chunk = { choices: [{ delta: { content: '{"a":1}' } }] };
+    return { data: Readable.from([`data: ${JSON.stringify(chunk)}\n\n`, 'data: [DONE]\n\n']) };
+  });
+
+  const text = await streamAI('sys', 'user', 'gpt-4o', 'sk-test', () => {}, { json: true, context: context() });
+  assert.equal(text, '{"a":1}');
+  assert.deepEqual(bodies[0].response_format, { type: 'json_object' });
+  assert.equal(bodies[0].stream, true);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const axios = require('axios');
+const iconv = require('iconv-lite');
+
+process.env.CRAWLER_MIN_INTERVAL_MS = '0';
+process.env.WATCHLIST_ALLOW_PRIVATE_WEBHOOKS = '1';
+// 프록시 설정이 있어도 웹훅은 직접 연결되어야 함 (닿지 않는 프록시)
+process.env.HTTP_PROXY = 'http://127.0.0.1:9';
+delete process.env.NO_PROXY;
+delete process.env.no_proxy;
+const { app } = require('./helpers');
+
+const rankingHtml = `<html><body><div class="rankingnews_box"><strong class="rankingnews_name">연합뉴스</strong>
+<ul class="rankingnews_list">
+  <li><a class="list_title" href="https://n.news.naver.com/article/001/0000000001">국민연금 개혁안 발표</a></li>
+  <li><a class="list_title" href="https://n.news.naver.com/article/001/0000000002">건강 보험료 인상 예고</a></li>
+  <li><a class="list_title" href="https://n.news.naver.com/article/001/0000000003">연금 광고 논란</a></li>
+  <li><a class="list_title" href="https://n.news.naver.com/article/001/0000000004">프로야구 개막</a></li>
+</ul></div></body></html>`;
+
+// 로컬 mock 수신기: 받은 본문을 모아 둠
+async function startReceiver(t) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+test('워치리스트: 규칙에 맞는 기사만, 기사마다 한 번씩 웹훅으로 전송', async (t) => {
+  t.mock.method(axios, 'get', async () => ({
+    status: 200,
+    headers: { 'content-type': 'text/html; charset=euc-kr' },
+    data: iconv.encode(rankingHtml, 'euc-kr'),
+  }));
+  const receiver = await startReceiver(t);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/watchlists`;
+  const post = (url, body) =>
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  const created = await post(base, {
+    name: '복지',
+    include: ['연금', '건강보험'],
+    exclude: ['광고'],
+    minRank: 3,
+    webhookUrl: receiver.url,
+  });
+  assert.equal(created.status, 201);
+  const rule = await created.json();
+
+  const first = await (await post(`${base}/poll`)).json();
+  assert.deepEqual([first.matched, first.sent, first.failed], [2, 2, 0]);
+  assert.deepEqual(receiver.received.map((m) => m.item.title), ['국민연금 개혁안 발표', '건강 보험료 인상 예고']);
+  assert.deepEqual(receiver.received[0].rule, { id: rule.id, name: '복지' });
+  assert.deepEqual(receiver.received[1].matchedTerms, ['건강보험']);
+
+  // 같은 기사는 다시 보내지 않음
+  const second = await (await post(`${base}/poll`)).json();
+  assert.deepEqual([second.matched, second.sent], [0, 0]);
+  assert.equal(receiver.received.length, 2);
+});